@@ -0,0 +1,1357 @@
+// 使用 WeakMap 代替 Set 作为桶的数据结构
+// WeakMap 与 Map 的区别有2点：
+// 1.WeakMap 只接受对象作为键名（null除外）
+// 2.WeakMap 的键名所指向的对象，不计入垃圾回收机制
+// https://es6.ruanyifeng.com/#docs/set-map#WeakMap
+
+// 存储副作用函数的桶
+const bucket = new WeakMap()
+
+// 用一个全局变量存储被注册的副作用函数
+let activeEffect;
+// effect 栈
+const effectStack = []
+// 一个标记变量，代表是否进行追踪。默认值为 true，即允许追踪
+let shouldTrack = true
+// 当前正在执行 run 的作用域，与 activeEffect 类似
+let activeEffectScope
+// 副作用函数的自增 id，代表创建顺序
+let uid = 0
+
+const effect = (fn, options = {}) => {
+    const effectFn = () => {
+        // 已经停止的副作用函数，手动调用时只执行 fn，不再把自己设为 activeEffect，也就不会再收集依赖
+        // 不修改 shouldTrack，否则在另一个副作用函数中调用时，外层副作用函数之后的读取都不会被追踪
+        if (!effectFn.active) {
+            return fn()
+        }
+
+        // 调用 cleanup 函数完成清除工作
+        cleanup(effectFn)
+
+        // 当调用 effect 注册副作用函数时，将副作用函数赋值给 activeEffect
+        activeEffect = effectFn
+
+        // 在调用副作用函数之前将当前副作用函数压入栈中
+        effectStack.push(effectFn)
+
+        // 副作用函数可能是在 push 等方法内部被触发执行的，此时 shouldTrack 为 false，
+        // 副作用函数自身的读取操作依然需要追踪，执行完毕后再还原
+        const lastShouldTrack = shouldTrack
+        shouldTrack = true
+
+        // fn 执行时可能抛出错误，如果不还原 effectStack 和 activeEffect，
+        // 之后所有的读取操作都会被收集到这个已经执行结束的副作用函数上，所以放在 finally 中还原
+        try {
+            // 将 fn 的执行结果作为 effectFn 的执行结果返回值
+            return fn()
+        } finally {
+            shouldTrack = lastShouldTrack
+
+            // 在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并把 activeEffect 还原为之前的值
+            effectStack.pop()
+            activeEffect = effectStack[effectStack.length - 1]
+
+            // 副作用函数在执行过程中停止了自己，执行期间又重新收集了依赖，需要再清除一次
+            if (!effectFn.active) cleanup(effectFn)
+        }
+    }
+
+    // 将 options 挂在到 effectFn 上
+    effectFn.options = options
+
+    // 副作用函数的 id，调度器按 id 从小到大执行，先创建的先执行
+    effectFn.id = uid++
+
+    // 原始副作用函数，用于在诊断信息中显示副作用函数的名字
+    effectFn.raw = fn
+
+    // activeEffect.deps 用来存储所有与该副作用函数相关联的依赖集合
+    effectFn.deps = []
+
+    // 副作用函数是否处于激活状态，停止后为 false，trigger 不再执行它
+    effectFn.active = true
+
+    // 停止副作用函数：从所有依赖集合中移除，之后响应式数据变化不会再执行它
+    effectFn.stop = () => {
+        if (!effectFn.active) return
+        // 复用 cleanup 将副作用函数从所有依赖集合中移除
+        cleanup(effectFn)
+        effectFn.active = false
+        // 调用 onStop 选项，通知使用者副作用函数已停止
+        if (options.onStop) options.onStop()
+    }
+
+    // 如果当前处于某个作用域中，将副作用函数收集到该作用域中
+    recordEffectScope(effectFn)
+
+    // 只有非 lazy 的时候，才执行
+    if (!options.lazy) {
+        // 执行副作用函数
+        effectFn()
+    }
+
+    // 将副作用函数作为返回值返回
+    return effectFn
+}
+
+function cleanup (effectFn) {
+    // 遍历 effectFn.deps 数组
+    for (let i = 0; i < effectFn.deps.length; i++) {
+        // deps 是依赖集合
+        const deps = effectFn.deps[i]
+        // 将 effectFn 从依赖集合中移除
+        deps.delete(effectFn)
+    }
+
+    // 最后需要重置 effectFn.deps 数组
+    effectFn.deps.length = 0
+}
+
+// 全局配置
+const reactiveConfig = {
+    // 错误处理函数 onError(err, effect, phase)
+    // err 为抛出的错误，effect 为出错的副作用函数或任务，phase 为出错的阶段，见 ErrorPhase
+    onError: null,
+    // 一轮刷新中同一个任务最多执行的次数，超过则认为出现了递归更新
+    recursionLimit: 100
+}
+
+// 错误发生的阶段
+const ErrorPhase = {
+    EFFECT: 'effect', // trigger 中执行副作用函数
+    SCHEDULER: 'scheduler', // trigger 中执行调度器
+    JOB: 'job', // 调度器刷新队列时执行任务
+    RECURSION: 'recursion' // 调度器检测到递归更新
+}
+
+// 处理错误：有 onError 则交给它处理，否则打印出来，不再向上抛出
+function handleError (err, effectFn, phase) {
+    if (reactiveConfig.onError) {
+        reactiveConfig.onError(err, effectFn, phase)
+    } else {
+        console.error(`[${phase}] 执行出错：`, err)
+    }
+}
+
+// 执行 fn，捕获错误并交给 handleError 处理
+function callWithErrorHandling (fn, effectFn, phase, args = []) {
+    try {
+        return fn(...args)
+    } catch (err) {
+        handleError(err, effectFn, phase)
+    }
+}
+
+// 创建一个副作用作用域，scope.run(fn) 执行期间创建的 effect、computed、watch 都会被收集到作用域中，
+// 调用 scope.stop() 可以一次性停止它们
+// detached 为 true 时，创建的作用域不会被收集到外层作用域中
+function effectScope (detached = false) {
+    const scope = {
+        // 作用域是否处于激活状态
+        active: true,
+        // 作用域中收集到的副作用函数
+        effects: [],
+        // 通过 onScopeDispose 注册的清理函数
+        cleanups: [],
+        // 嵌套的子作用域
+        scopes: [],
+        // 外层作用域
+        parent: detached ? undefined : activeEffectScope,
+
+        run (fn) {
+            if (!scope.active) {
+                console.warn('不能在已停止的作用域中执行 run')
+                return
+            }
+            // 与 effectStack 一样，执行前记录外层作用域，执行后还原，这样作用域就可以嵌套
+            const lastScope = activeEffectScope
+            activeEffectScope = scope
+            // fn 抛出错误时同样需要还原外层作用域
+            try {
+                return fn()
+            } finally {
+                activeEffectScope = lastScope
+            }
+        },
+
+        stop () {
+            if (!scope.active) return
+            // 停止作用域中所有的副作用函数
+            scope.effects.forEach(effectFn => effectFn.stop())
+            // 执行所有清理函数
+            scope.cleanups.forEach(fn => fn())
+            // 停止所有子作用域，子作用域停止时会把自己从 scope.scopes 中移除，所以先复制一份再遍历
+            scope.scopes.slice().forEach(child => child.stop())
+            // 从外层作用域中移除自己，避免外层作用域一直持有已停止的作用域
+            if (scope.parent) {
+                const index = scope.parent.scopes.indexOf(scope)
+                if (index > -1) scope.parent.scopes.splice(index, 1)
+            }
+            scope.active = false
+        }
+    }
+
+    // 收集到外层作用域中，外层作用域停止时子作用域也一起停止
+    if (scope.parent) {
+        scope.parent.scopes.push(scope)
+    }
+
+    return scope
+}
+
+// 将副作用函数收集到当前作用域中
+function recordEffectScope (effectFn, scope = activeEffectScope) {
+    if (scope && scope.active) {
+        scope.effects.push(effectFn)
+    }
+}
+
+// 获取当前正在执行 run 的作用域
+function getCurrentScope () {
+    return activeEffectScope
+}
+
+// 在当前作用域中注册一个清理函数，作用域停止时执行，供库代码注册自己的清理逻辑
+function onScopeDispose (fn) {
+    if (activeEffectScope) {
+        activeEffectScope.cleanups.push(fn)
+    } else {
+        console.warn('onScopeDispose 只能在 effectScope 的 run 中调用')
+    }
+}
+
+// 计算属性
+// 参数可以是一个 getter 函数，也可以是 { get, set } 对象，传入 set 时计算属性是可写的
+function computed (getterOrOptions) { // 新增
+    let getter, setter
+    if (typeof getterOrOptions === 'function') {
+        // 只传 getter，计算属性只读
+        getter = getterOrOptions
+    } else {
+        getter = getterOrOptions.get
+        setter = getterOrOptions.set
+    }
+
+    // value 用来缓存上一次计算的值
+    let value
+
+    // dirty 标志，用来标识是否需要重新计算值，为 true 则意味着脏，需要计算
+    let dirty = true
+
+    // 把 getter 作为副作用函数，创建一个 lazy 的 effect
+    const effectFn = effect(getter, {
+        lazy: true,
+        scheduler () {
+            if (!dirty) {
+                dirty = true
+                // 当计算属性依赖的响应式数据变化时，手动调用 trigger 函数触发响应
+                trigger(obj, 'value', TriggerType.SET)
+            }
+        }
+    })
+
+    const obj = {
+        // 当读取 value 时才执行 effectFn
+        get value () {
+            if (dirty) {
+                value = effectFn()
+                dirty = false
+            }
+
+            // 当读取 value 时，手动调用 track 函数进行追踪
+            track(obj, 'value')
+
+            return value
+        },
+
+        // 设置 value 时调用用户传入的 setter，由 setter 去修改计算属性依赖的响应式数据，
+        // 依赖变化后计算属性自然会重新计算
+        set value (newVal) { // 新增
+            if (setter) {
+                setter(newVal)
+            } else {
+                // 只有 getter 的计算属性，设置 value 时给出警告，而不是什么都不做
+                console.warn('计算属性是只读的，设置 value 失败，如需设置请传入 { get, set }')
+            }
+        }
+    }
+
+    // 计算属性同样是通过 .value 访问的，也把它视作 ref
+    Object.defineProperty(obj, IS_REF, { value: true })
+
+    return obj
+}
+
+// 通过代理对象读取这个 key 时会返回原始对象，普通对象上读取它则是 undefined，
+// 借此可以区分传入的是代理对象还是原始对象
+const RAW = '__v_raw'
+// ref 对象上的标记属性，用来区分 ref 与普通的 { value: xxx } 对象
+const IS_REF = '__v_isRef'
+// 通过代理对象读取这个 key 时返回该代理对象是否只读
+const IS_READONLY = '__v_isReadonly'
+
+// for...in、Object.keys 等遍历操作没有具体的 key，用一个唯一的 symbol 作为遍历操作的 key
+const ITERATE_KEY = Symbol('iterate')
+// Map 的 keys 方法只关心键，修改已有键的值不会影响它的结果，单独用一个 key 来建立联系
+const MAP_KEY_ITERATE_KEY = Symbol('map key iterate')
+
+const hasOwnProperty = Object.prototype.hasOwnProperty
+const hasOwn = (target, key) => hasOwnProperty.call(target, key)
+const isArray = Array.isArray
+// 获取原始类型，例如 [object Map] 中的 Map
+const toRawType = value => Object.prototype.toString.call(value).slice(8, -1)
+const isMap = value => toRawType(value) === 'Map'
+// Map、Set、WeakMap、WeakSet 称为集合类型，需要单独的拦截函数
+const isCollection = value => ['Map', 'Set', 'WeakMap', 'WeakSet'].includes(toRawType(value))
+// 如果 value 是代理对象，则返回它的原始对象，避免把代理对象设置到原始数据上（数据污染）
+const toRawValue = value => (value && value[RAW]) || value
+// 判断 key 是否是数组的索引，例如 '0'、'1'，而 'length'、'-1'、'1.5' 都不是
+const isIntegerKey = key => typeof key === 'string' && key[0] !== '-' && String(parseInt(key, 10)) === key
+
+// 比较新值与旧值是否发生了变化，NaN 与 NaN 视为没有变化
+// NaN !== NaN 为 true，所以需要额外判断新旧值不都是 NaN
+const hasChanged = (newVal, oldVal) => oldVal !== newVal && (oldVal === oldVal || newVal === newVal)
+
+// 触发响应的操作类型
+const TriggerType = {
+    SET: 'SET', // 修改已有属性
+    ADD: 'ADD', // 新增属性
+    DELETE: 'DELETE', // 删除属性
+    CLEAR: 'CLEAR' // 清空集合
+}
+
+// 存储原始对象到代理对象的映射，同一个原始对象只会创建一次代理对象
+// 四种代理各用一个 WeakMap，同一个原始对象可以同时拥有响应式代理和只读代理
+const reactiveMap = new WeakMap()
+const shallowReactiveMap = new WeakMap()
+const readonlyMap = new WeakMap()
+const shallowReadonlyMap = new WeakMap()
+
+// 重写数组的方法
+const arrayInstrumentations = {}
+
+// 查找方法：先在代理对象上查找，找不到再到原始数组上查找
+// 代理数组中的元素读取出来都是代理对象，arr.includes(原始对象) 在代理对象上是找不到的
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+    const originMethod = Array.prototype[method]
+    arrayInstrumentations[method] = function (...args) {
+        // this 是代理对象，先在代理对象中查找，将结果存储到 res 中
+        let res = originMethod.apply(this, args)
+
+        if (res === false || res === -1) {
+            // res 为 false 或 -1 说明没找到，通过 this[RAW] 拿到原始数组，再去其中查找并更新 res 值
+            res = originMethod.apply(this[RAW], args)
+        }
+
+        // 返回最终结果
+        return res
+    }
+})
+
+// 修改数组长度的方法：执行期间禁止追踪
+// 这些方法会间接读取 length，如果建立了响应联系，
+// 两个副作用函数中同时 push 同一个数组就会互相触发，导致栈溢出
+;['push', 'pop', 'shift', 'unshift', 'splice'].forEach(method => {
+    // 取得原始的方法
+    const originMethod = Array.prototype[method]
+    // 重写
+    arrayInstrumentations[method] = function (...args) {
+        // 在调用原始方法之前，禁止追踪，并记住调用之前的状态
+        // 调用方本来就可能禁止了追踪，不能在结束后直接设为 true
+        const lastShouldTrack = shouldTrack
+        shouldTrack = false
+        try {
+            // 方法的默认行为
+            return originMethod.apply(this, args)
+        } finally {
+            // 在调用原始方法之后（包括抛出错误时，例如数组被冻结），恢复调用之前的状态
+            shouldTrack = lastShouldTrack
+        }
+    }
+})
+
+// 创建拦截函数
+// isShallow 代表是否为浅响应，默认为 false，即深响应
+// isReadonly 代表是否只读，默认为 false，即非只读
+function createHandlers (isShallow = false, isReadonly = false) {
+    return {
+        // 拦截读取操作
+        get (target, key) {
+            // 代理对象可以通过 RAW 属性访问原始数据
+            if (key === RAW) return target
+            if (key === IS_READONLY) return isReadonly
+
+            // 如果操作的目标对象是数组，并且 key 存在于 arrayInstrumentations 上，
+            // 那么返回定义在 arrayInstrumentations 上的值
+            if (isArray(target) && hasOwn(arrayInstrumentations, key)) {
+                return arrayInstrumentations[key]
+            }
+
+            // 只读的数据不可能发生变化，也就没有必要建立响应联系
+            // for...of 遍历数组时会读取 Symbol.iterator 等 symbol 值，不应该与它们建立响应联系
+            if (!isReadonly && typeof key !== 'symbol') {
+                // 将副作用函数 activeEffect 添加到存储副作用函数的桶中
+                track(target, key)
+            }
+
+            // 得到原始值结果
+            const res = target[key]
+
+            // 如果是浅响应，则直接返回原始值
+            if (isShallow) return res
+
+            // 如果原始值结果是对象，则将其包装成响应式数据后返回
+            // 只有真正读取到嵌套对象时才去代理它，而不是一开始就递归代理整棵对象树
+            if (typeof res === 'object' && res !== null) {
+                // 如果数据为只读，则调用 readonly 对值进行包装，深只读
+                return isReadonly ? readonly(res) : reactive(res)
+            }
+
+            // 返回属性值
+            return res
+        },
+
+        // 拦截设置操作
+        set (target, key, newVal) {
+            // 如果是只读的，则打印警告信息并返回
+            if (isReadonly) {
+                console.warn(`属性 ${String(key)} 是只读的，设置操作被拒绝`)
+                // 返回 true，否则严格模式下会抛出 TypeError
+                return true
+            }
+
+            // 先获取旧值
+            const oldVal = target[key]
+            // 设置之前先判断属性是否已存在，存在则是修改已有属性，否则是新增属性
+            // 如果代理目标是数组并且设置的是索引，则检测被设置的索引值是否小于数组长度，
+            // 如果是，则视作 SET 操作，否则是 ADD 操作
+            // 设置 length 等非索引属性时，依然按属性是否存在来判断
+            const type = isArray(target) && isIntegerKey(key)
+                ? Number(key) < target.length ? TriggerType.SET : TriggerType.ADD
+                : hasOwn(target, key) ? TriggerType.SET : TriggerType.ADD
+
+            // 设置属性值
+            target[key] = newVal
+
+            // 把副作用函数从桶里取出并执行
+            // 新增属性一定触发，因为 key 的数量变了；修改属性只有值真正发生变化时才触发
+            if (type === TriggerType.ADD || hasChanged(newVal, oldVal)) {
+                trigger(target, key, type, newVal, oldVal)
+            }
+
+            // 返回 true 代表设置操作成功
+            return true
+        },
+
+        // 拦截 in 操作符
+        has (target, key) {
+            if (!isReadonly) track(target, key)
+
+            return key in target
+        },
+
+        // 拦截 for...in、Object.keys 等遍历操作
+        ownKeys (target) {
+            // 遍历操作不与任何具体的 key 绑定，将副作用函数与 ITERATE_KEY 关联
+            // 如果操作目标 target 是数组，则使用 length 属性作为 key 建立响应联系，
+            // 因为数组的新增、删除元素都会修改 length
+            if (!isReadonly) track(target, isArray(target) ? 'length' : ITERATE_KEY)
+
+            return Reflect.ownKeys(target)
+        },
+
+        // 拦截删除操作，只读的数据同样不能删除属性
+        deleteProperty (target, key) {
+            if (isReadonly) {
+                console.warn(`属性 ${String(key)} 是只读的，删除操作被拒绝`)
+                return true
+            }
+
+            // 检查被删除的属性是否是对象自己的属性
+            const hadKey = hasOwn(target, key)
+            const oldVal = target[key]
+            // 完成属性的删除
+            const res = delete target[key]
+
+            // 只有被删除的属性是对象自己的属性并且成功删除时，才触发更新
+            // 删除属性同样会改变遍历的结果
+            if (res && hadKey) {
+                trigger(target, key, TriggerType.DELETE, undefined, oldVal)
+            }
+
+            return res
+        }
+    }
+}
+
+// 所有响应式对象共用的拦截函数，不再为每一份原始数据各写一遍
+const mutableHandlers = createHandlers()
+const shallowReactiveHandlers = createHandlers(true)
+const readonlyHandlers = createHandlers(false, true)
+const shallowReadonlyHandlers = createHandlers(true, true)
+
+// 重写集合类型的方法
+// 方法中的 this 是代理对象，通过 this[RAW] 拿到原始集合对象，在原始对象上执行方法
+function createInstrumentations (isShallow = false, isReadonly = false) {
+    // 读取出来的值同样需要包装，深响应或深只读
+    const wrap = value => {
+        if (isShallow) return value
+        return isReadonly ? readonly(value) : reactive(value)
+    }
+
+    // 只读集合的修改方法，打印警告后返回
+    const createReadonlyMethod = type => function (key) {
+        console.warn(`${type} 操作失败，集合 ${String(key)} 是只读的`)
+        // delete 返回 false 代表删除失败，add、set 返回集合本身
+        return type === TriggerType.DELETE ? false : this
+    }
+
+    // 迭代器方法，entries、values、keys、Symbol.iterator
+    const createIterationMethod = method => function (...args) {
+        const target = this[RAW]
+        const targetIsMap = isMap(target)
+        // Map 的 entries 和 Symbol.iterator 得到的是 [key, value] 键值对
+        const isPair = method === 'entries' || (method === Symbol.iterator && targetIsMap)
+        // Map 的 keys 只关心键
+        const isKeyOnly = method === 'keys' && targetIsMap
+        // 获取原始迭代器
+        const itr = target[method](...args)
+
+        // 遍历操作与 ITERATE_KEY 建立响应联系，Map 的 keys 与 MAP_KEY_ITERATE_KEY 建立响应联系
+        if (!isReadonly) track(target, isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY)
+
+        // 返回自定义的迭代器，它既是迭代器协议（next），又是可迭代协议（Symbol.iterator）
+        return {
+            next () {
+                const { value, done } = itr.next()
+                return {
+                    // 如果 value 不是 undefined，则对其进行包裹
+                    value: done ? value : isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+                    done
+                }
+            },
+            [Symbol.iterator] () {
+                return this
+            }
+        }
+    }
+
+    const instrumentations = {
+        get (key) {
+            // 获取原始对象
+            const target = this[RAW]
+            const rawKey = toRawValue(key)
+            // 判断读取的 key 是否存在
+            const had = target.has(rawKey)
+            // 追踪依赖，建立响应联系
+            if (!isReadonly) track(target, rawKey)
+            // 如果存在，则返回结果。如果得到的结果 res 仍然是可代理的数据，则要返回包装后的响应式数据
+            if (had) {
+                return wrap(target.get(rawKey))
+            }
+        },
+
+        has (key) {
+            const target = this[RAW]
+            const rawKey = toRawValue(key)
+            if (!isReadonly) track(target, rawKey)
+            return target.has(rawKey)
+        },
+
+        forEach (callback, thisArg) {
+            const target = this[RAW]
+            // 与 ITERATE_KEY 建立响应联系
+            if (!isReadonly) track(target, ITERATE_KEY)
+            // 通过原始数据对象调用 forEach 方法，并把 callback 传递过去
+            target.forEach((v, k) => {
+                // 手动调用 callback，用 wrap 函数包裹 value 和 key 后再传给 callback，这样就实现了深响应
+                callback.call(thisArg, wrap(v), wrap(k), this)
+            })
+        },
+
+        entries: createIterationMethod('entries'),
+        values: createIterationMethod('values'),
+        keys: createIterationMethod('keys'),
+        [Symbol.iterator]: createIterationMethod(Symbol.iterator)
+    }
+
+    if (isReadonly) {
+        instrumentations.add = createReadonlyMethod(TriggerType.ADD)
+        instrumentations.set = createReadonlyMethod(TriggerType.SET)
+        instrumentations.delete = createReadonlyMethod(TriggerType.DELETE)
+        instrumentations.clear = createReadonlyMethod(TriggerType.CLEAR)
+        return instrumentations
+    }
+
+    // Set 的 add
+    instrumentations.add = function (value) {
+        const target = this[RAW]
+        // 设置到原始数据上的值应该是原始值，而不是代理对象
+        const rawValue = toRawValue(value)
+        // 先判断值是否已经存在，只有值不存在的情况下，才需要触发响应
+        const hadKey = target.has(rawValue)
+        if (!hadKey) {
+            target.add(rawValue)
+            trigger(target, rawValue, TriggerType.ADD, rawValue)
+        }
+        // 与原生 add 一样返回集合本身，这里返回代理对象以便链式调用
+        return this
+    }
+
+    // Map 的 set
+    instrumentations.set = function (key, value) {
+        const target = this[RAW]
+        const rawKey = toRawValue(key)
+        const rawValue = toRawValue(value)
+        const had = target.has(rawKey)
+        // 获取旧值
+        const oldValue = target.get(rawKey)
+        // 设置新值
+        target.set(rawKey, rawValue)
+        // 如果不存在，则说明是 ADD 类型的操作，意味着新增
+        if (!had) {
+            trigger(target, rawKey, TriggerType.ADD, rawValue)
+        } else if (hasChanged(rawValue, oldValue)) {
+            // 如果存在，并且值变了，则是 SET 类型的操作，意味着修改
+            trigger(target, rawKey, TriggerType.SET, rawValue, oldValue)
+        }
+        return this
+    }
+
+    instrumentations.delete = function (key) {
+        const target = this[RAW]
+        const rawKey = toRawValue(key)
+        const hadKey = target.has(rawKey)
+        // WeakSet、Set 没有 get 方法
+        const oldValue = target.get ? target.get(rawKey) : undefined
+        const res = target.delete(rawKey)
+        // 当要删除的元素确实存在时，才触发响应
+        if (hadKey) {
+            trigger(target, rawKey, TriggerType.DELETE, undefined, oldValue)
+        }
+        return res
+    }
+
+    instrumentations.clear = function () {
+        const target = this[RAW]
+        // 集合本来就是空的，清空后没有任何变化，不需要触发响应
+        const hadItems = target.size !== 0
+        const res = target.clear()
+        if (hadItems) {
+            trigger(target, undefined, TriggerType.CLEAR)
+        }
+        return res
+    }
+
+    return instrumentations
+}
+
+const mutableInstrumentations = createInstrumentations()
+const shallowInstrumentations = createInstrumentations(true)
+const readonlyInstrumentations = createInstrumentations(false, true)
+const shallowReadonlyInstrumentations = createInstrumentations(true, true)
+
+// 创建集合类型的拦截函数
+// 集合类型的方法和 size 属性依赖内部槽，必须在原始对象上调用，
+// 所以只拦截 get，读取方法时返回重写后的方法
+function createCollectionHandlers (instrumentations, isReadonly = false) {
+    return {
+        get (target, key) {
+            if (key === RAW) return target
+            if (key === IS_READONLY) return isReadonly
+
+            // size 是访问器属性，通过代理对象读取时 getter 中的 this 是代理对象，会报错
+            // 直接在原始对象上读取 size，并与 ITERATE_KEY 建立响应联系，增删元素都会改变 size
+            if (key === 'size') {
+                if (!isReadonly) track(target, ITERATE_KEY)
+                return target.size
+            }
+
+            // 重写过的方法返回重写后的方法，Weak 集合没有的方法（例如 WeakMap 的 forEach）也不返回
+            if (hasOwn(instrumentations, key) && key in target) {
+                return instrumentations[key]
+            }
+
+            return target[key]
+        }
+    }
+}
+
+const mutableCollectionHandlers = createCollectionHandlers(mutableInstrumentations)
+const shallowCollectionHandlers = createCollectionHandlers(shallowInstrumentations)
+const readonlyCollectionHandlers = createCollectionHandlers(readonlyInstrumentations, true)
+const shallowReadonlyCollectionHandlers = createCollectionHandlers(shallowReadonlyInstrumentations, true)
+
+// 创建代理对象，四种代理的区别只在于拦截函数和缓存的 WeakMap 不同
+// 普通对象、数组使用 baseHandlers，集合类型使用 collectionHandlers
+function createReactiveObject (target, baseHandlers, collectionHandlers, proxyMap, isReadonly = false) {
+    // 只有对象才能被代理，原始值原样返回
+    if (typeof target !== 'object' || target === null) return target
+
+    // 传入的已经是代理对象，直接返回
+    // 例外：对一个响应式代理调用 readonly，需要在它外面再包一层只读代理
+    if (target[RAW] && !(isReadonly && !target[IS_READONLY])) return target
+
+    // 优先通过原始对象寻找之前创建的代理对象，找到了直接返回
+    const existionProxy = proxyMap.get(target)
+    if (existionProxy) return existionProxy
+
+    // 否则创建新的代理对象，并存储到 proxyMap 中
+    const proxy = new Proxy(target, isCollection(target) ? collectionHandlers : baseHandlers)
+    proxyMap.set(target, proxy)
+
+    return proxy
+}
+
+// 把任意一个对象变成响应式的
+function reactive (target) {
+    return createReactiveObject(target, mutableHandlers, mutableCollectionHandlers, reactiveMap)
+}
+
+// 浅响应，只有对象的第一层属性是响应的
+function shallowReactive (target) {
+    return createReactiveObject(target, shallowReactiveHandlers, shallowCollectionHandlers, shallowReactiveMap)
+}
+
+// 只读，深层的属性同样只读
+function readonly (target) {
+    return createReactiveObject(target, readonlyHandlers, readonlyCollectionHandlers, readonlyMap, true)
+}
+
+// 浅只读，只有第一层属性只读
+function shallowReadonly (target) {
+    return createReactiveObject(target, shallowReadonlyHandlers, shallowReadonlyCollectionHandlers, shallowReadonlyMap, true)
+}
+
+// 判断一个值是否是 ref
+function isRef (value) {
+    return !!(value && value[IS_REF] === true)
+}
+
+// 创建 ref，与 computed 一样，读取 .value 时手动 track，设置 .value 时手动 trigger
+function createRef (rawValue, isShallow = false) {
+    // 已经是 ref 了，直接返回
+    if (isRef(rawValue)) return rawValue
+
+    // 深响应：值是对象时用 reactive 包装；浅响应：原样存储
+    const convert = value => isShallow ? value : reactive(value)
+
+    // _rawValue 存储原始值用于比较是否变化，_value 存储对外暴露的值（可能是代理对象）
+    let _rawValue = isShallow ? rawValue : toRawValue(rawValue)
+    let _value = convert(rawValue)
+
+    const wrapper = {
+        get value () {
+            // 读取 value 时与 wrapper 的 value 建立响应联系
+            track(wrapper, 'value')
+            return _value
+        },
+
+        set value (newVal) {
+            const rawNewVal = isShallow ? newVal : toRawValue(newVal)
+            // 值没有变化，不触发
+            if (!hasChanged(rawNewVal, _rawValue)) return
+
+            const oldVal = _value
+            _rawValue = rawNewVal
+            _value = convert(newVal)
+            trigger(wrapper, 'value', TriggerType.SET, _value, oldVal)
+        }
+    }
+
+    // 使用 Object.defineProperty 在 wrapper 对象上定义一个不可枚举的属性 __v_isRef，并且值为 true
+    Object.defineProperty(wrapper, IS_REF, {
+        value: true
+    })
+
+    return wrapper
+}
+
+// 把原始值包装成响应式数据
+function ref (value) {
+    return createRef(value)
+}
+
+// 浅 ref，只有 .value 本身是响应的，值为对象时不会被 reactive 包装
+function shallowRef (value) {
+    return createRef(value, true)
+}
+
+// 为响应式对象的某个属性创建 ref，读写 .value 都是在读写响应式对象的属性
+function toRef (obj, key) {
+    const wrapper = {
+        get value () {
+            return obj[key]
+        },
+
+        // 允许设置值
+        set value (val) {
+            obj[key] = val
+        }
+    }
+
+    Object.defineProperty(wrapper, IS_REF, {
+        value: true
+    })
+
+    return wrapper
+}
+
+// 把响应式对象的每个属性都转换为 ref，解构后依然保持响应
+function toRefs (obj) {
+    const ret = isArray(obj) ? new Array(obj.length) : {}
+    // 使用 for...in 循环遍历对象
+    for (const key in obj) {
+        // 逐个调用 toRef 完成转换
+        ret[key] = toRef(obj, key)
+    }
+    return ret
+}
+
+// 自动脱 ref：读取的属性是 ref 时返回它的 .value，设置的属性是 ref 时设置它的 .value
+function proxyRefs (target) {
+    return new Proxy(target, {
+        get (target, key) {
+            const value = target[key]
+            // 自动脱 ref 实现：如果读取的值是 ref，则返回它的 value 属性值
+            return isRef(value) ? value.value : value
+        },
+
+        set (target, key, newValue) {
+            // 通过 target 读取真实值
+            const value = target[key]
+            // 如果值是 Ref，则设置其对应的 value 属性值
+            if (isRef(value) && !isRef(newValue)) {
+                value.value = newValue
+                return true
+            }
+            target[key] = newValue
+            return true
+        }
+    })
+}
+
+// 在 get 拦截函数内调用 track 函数追踪变化
+function track (target, key) {
+    // 没有 activeEffect 或禁止追踪时，直接 return
+    if (!activeEffect || !shouldTrack) return
+
+    let depsMap = bucket.get(target)
+
+    if (!depsMap) {
+        bucket.set(target, (depsMap = new Map()))
+    }
+
+    let deps = depsMap.get(key)
+    if (!deps) {
+        depsMap.set(key, (deps = new Set()))
+    }
+
+    // 把当前激活的副作用函数添加到依赖集合 deps 中
+    deps.add(activeEffect)
+
+    // deps 就是一个与当前副作用函数存在联系的依赖集合
+    // 将其添加到 activeEffect.deps 数组中
+    activeEffect.deps.push(deps)
+}
+
+// 在 set 拦截函数内调用 trigger 函数触发变化
+// type 为操作类型，newVal、oldVal 为本次操作的新值与旧值
+function trigger (target, key, type, newVal, oldVal) {
+    const depsMap = bucket.get(target)
+    if (!depsMap) return
+
+    const effects = depsMap.get(key)
+
+    const effectsToRun = new Set()
+    effects && effects.forEach(effectFn => {
+        // 如果 trigger 触发执行的副作用函数于当前正在执行的副作用函数相同，则不触发执行
+        if (effectFn !== activeEffect) {
+            effectsToRun.add(effectFn)
+        }
+    })
+
+    // 清空集合，集合中所有元素以及 size、遍历都受到影响，取出所有副作用函数
+    if (type === TriggerType.CLEAR) {
+        depsMap.forEach(effects => {
+            effects.forEach(effectFn => {
+                if (effectFn !== activeEffect) {
+                    effectsToRun.add(effectFn)
+                }
+            })
+        })
+    }
+
+    // 只有新增、删除属性时，才触发与 ITERATE_KEY 相关联的副作用函数
+    // 修改已有属性的值不会影响遍历的结果，所以不触发
+    // 但 Map 的 forEach、values、entries 既关心键也关心值，所以修改 Map 的值同样要触发
+    if (
+        type === TriggerType.ADD ||
+        type === TriggerType.DELETE ||
+        (type === TriggerType.SET && isMap(target))
+    ) {
+        const iterateEffects = depsMap.get(ITERATE_KEY)
+        // 放进同一个 effectsToRun 中，同时依赖 key 和 ITERATE_KEY 的副作用函数也只会执行一次
+        iterateEffects && iterateEffects.forEach(effectFn => {
+            if (effectFn !== activeEffect) {
+                effectsToRun.add(effectFn)
+            }
+        })
+    }
+
+    // 操作类型为 ADD 或 DELETE 并且目标对象是 Map 时，
+    // 取出与 MAP_KEY_ITERATE_KEY 相关联的副作用函数，即调用过 keys 方法的副作用函数
+    if ((type === TriggerType.ADD || type === TriggerType.DELETE) && isMap(target)) {
+        const iterateEffects = depsMap.get(MAP_KEY_ITERATE_KEY)
+        iterateEffects && iterateEffects.forEach(effectFn => {
+            if (effectFn !== activeEffect) {
+                effectsToRun.add(effectFn)
+            }
+        })
+    }
+
+    // 当操作类型为 ADD 并且目标对象是数组时，应该取出并执行那些与 length 属性相关联的副作用函数
+    // 例如 arr[arr.length] = 1 会隐式地修改 length
+    if (type === TriggerType.ADD && isArray(target)) {
+        const lengthEffects = depsMap.get('length')
+        lengthEffects && lengthEffects.forEach(effectFn => {
+            if (effectFn !== activeEffect) {
+                effectsToRun.add(effectFn)
+            }
+        })
+    }
+
+    // 如果操作目标是数组，并且修改了数组的 length 属性
+    if (isArray(target) && key === 'length') {
+        // 对于索引大于或等于新的 length 值的元素，
+        // 需要把所有相关联的副作用函数取出并添加到 effectsToRun 中待执行
+        depsMap.forEach((effects, key) => {
+            // depsMap 中还有 length、ITERATE_KEY、in 操作符追踪的 symbol 等 key，只比较索引
+            if (isIntegerKey(key) && Number(key) >= newVal) {
+                effects.forEach(effectFn => {
+                    if (effectFn !== activeEffect) {
+                        effectsToRun.add(effectFn)
+                    }
+                })
+            }
+        })
+    }
+
+    effectsToRun.forEach(effectFn => {
+        // 副作用函数可能在前面的副作用函数执行时被停止了，跳过已停止的副作用函数
+        if (!effectFn.active) return
+
+        // 记下触发它的 key，它的任务放进队列时再记录下来，出现递归更新时用于诊断
+        effectFn.triggerKey = key
+
+        // 如果一个副作用函数存在调度器，则调用该调度器，并将副作用函数作为参数传递
+        // 一个副作用函数出错不应该影响后续的副作用函数执行，也不应该让错误从赋值语句中抛出
+        if (effectFn?.options?.scheduler) {
+            callWithErrorHandling(effectFn.options.scheduler, effectFn, ErrorPhase.SCHEDULER, [effectFn])
+        } else {
+            callWithErrorHandling(effectFn, effectFn, ErrorPhase.EFFECT)
+        }
+    })
+}
+
+// ---------------------------- 调度器 ----------------------------
+// 之前的 jobQueue + flushJob 只有一个按插入顺序执行的队列，也没有办法等待刷新完成，
+// 这里把它整理为三个队列：
+// pendingPreFlushCbs：在 queue 之前执行，flush: 'pre' 的 watch 回调
+// queue：主任务队列，副作用函数的更新，按副作用函数的创建顺序 id 排序执行
+// pendingPostFlushCbs：在 queue 之后执行，flush: 'post' 的 watch 回调
+
+// 主任务队列
+const queue = []
+// 前置、后置任务队列
+const pendingPreFlushCbs = []
+const pendingPostFlushCbs = []
+
+// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
+const resolvedPromise = Promise.resolve()
+// 当前这一轮刷新的 promise，nextTick 通过它等待刷新完成
+let currentFlushPromise = null
+
+// 是否正在刷新队列
+let isFlushing = false
+// 是否已经把刷新任务放进了微任务队列，但还没有开始执行
+let isFlushPending = false
+// 主任务队列当前执行到的位置，-1 表示主任务还没有开始执行（例如正在执行前置、后置任务）
+// 如果用 0，执行前置任务时 queue[0] 还没有执行，去重却会从 1 开始查找，导致 queue[0] 被重复放入
+let flushIndex = -1
+
+// 任务的 id，副作用函数的任务 id 就是副作用函数的创建顺序，没有 id 的任务排在最后
+const getId = job => job.id == null ? Infinity : job.id
+
+// 等待当前这一轮刷新完成，可以传入回调，也可以 await nextTick()
+function nextTick (fn) {
+    const p = currentFlushPromise || resolvedPromise
+    return fn ? p.then(fn) : p
+}
+
+// 把任务放进主任务队列
+function queueJob (job) {
+    recordTriggerKey(job)
+    // 正在刷新时，只需要判断还没有执行的任务中是否已经有它了，已经执行过的任务可以再次放入
+    if (!queue.includes(job, isFlushing ? flushIndex + 1 : 0)) {
+        if (isFlushing) {
+            // 正在刷新时按 id 插入到还没有执行的任务中，保证依然是有序的
+            let index = flushIndex + 1
+            while (index < queue.length && getId(queue[index]) <= getId(job)) index++
+            queue.splice(index, 0, job)
+        } else {
+            queue.push(job)
+        }
+        queueFlush()
+    }
+}
+
+// 把任务放进前置任务队列
+function queuePreFlushCb (cb) {
+    recordTriggerKey(cb)
+    if (!pendingPreFlushCbs.includes(cb)) {
+        pendingPreFlushCbs.push(cb)
+    }
+    queueFlush()
+}
+
+// 把任务放进后置任务队列
+function queuePostFlushCb (cb) {
+    recordTriggerKey(cb)
+    if (!pendingPostFlushCbs.includes(cb)) {
+        pendingPostFlushCbs.push(cb)
+    }
+    queueFlush()
+}
+
+// 在微任务中刷新队列，同一轮同步代码中多次调用只会刷新一次
+function queueFlush () {
+    if (!isFlushing && !isFlushPending) {
+        isFlushPending = true
+        currentFlushPromise = resolvedPromise.then(flushJobs)
+    }
+}
+
+// 本轮刷新中每个副作用函数被哪些 key 触发过：副作用函数 -> Set(key)
+const triggerKeysMap = new Map()
+
+// 任务放进队列时，记录它的副作用函数是被哪个 key 触发的
+// 在放进队列时而不是刷新期间记录，刷新开始之前的修改引起的循环也能找到 key
+function recordTriggerKey (job) {
+    const effectFn = getJobEffect(job)
+    const key = effectFn.triggerKey
+    // 不是由 trigger 调度的任务（例如直接调用 queueJob），没有触发它的 key
+    if (key === undefined) return
+    // 记录之后清除，避免之后手动放进队列时记录了过期的 key
+    effectFn.triggerKey = undefined
+
+    let keys = triggerKeysMap.get(effectFn)
+    if (!keys) {
+        triggerKeysMap.set(effectFn, (keys = new Set()))
+    }
+    keys.add(key)
+}
+
+// 任务对应的副作用函数，watch 的任务是 job，通过 job.effect 找到它的副作用函数
+const getJobEffect = job => job.effect || job
+
+// 副作用函数的名字，用于诊断信息
+function getEffectName (effectFn) {
+    return (effectFn.raw && effectFn.raw.name) || `effect#${effectFn.id}`
+}
+
+// 清空所有队列，中止本轮刷新
+function resetQueues () {
+    queue.length = 0
+    pendingPreFlushCbs.length = 0
+    pendingPostFlushCbs.length = 0
+}
+
+// 记录任务在本轮刷新中执行的次数，超过 recursionLimit 时报告错误并返回 true
+function checkRecursiveUpdates (seen, job) {
+    const count = (seen.get(job) || 0) + 1
+    seen.set(job, count)
+
+    if (count <= reactiveConfig.recursionLimit) return false
+
+    // 本轮刷新中执行了不止一次的任务，就是互相触发的那些任务
+    const involved = []
+    seen.forEach((count, job) => {
+        if (count > 1) {
+            const effectFn = getJobEffect(job)
+            const keys = [...(triggerKeysMap.get(effectFn) || [])].map(String).join('、')
+            involved.push(`${getEffectName(effectFn)}（执行 ${count} 次，触发它的 key：${keys}）`)
+        }
+    })
+
+    const err = new Error(
+        `检测到递归更新：同一个任务在一轮刷新中执行超过了 ${reactiveConfig.recursionLimit} 次，` +
+        `可能是副作用函数之间在互相修改对方依赖的数据。涉及的副作用函数：${involved.join('，')}`
+    )
+    handleError(err, getJobEffect(job), ErrorPhase.RECURSION)
+
+    return true
+}
+
+// 执行前置任务，返回 false 代表检测到了递归更新
+function flushPreFlushCbs (seen) {
+    // 前置任务执行时可能又放入了新的前置任务，循环直到清空
+    while (pendingPreFlushCbs.length) {
+        const cbs = pendingPreFlushCbs.splice(0)
+        for (const cb of cbs) {
+            if (checkRecursiveUpdates(seen, cb)) return false
+            callWithErrorHandling(cb, cb, ErrorPhase.JOB)
+        }
+    }
+    return true
+}
+
+// 执行后置任务，返回 false 代表检测到了递归更新
+function flushPostFlushCbs (seen) {
+    const cbs = [...new Set(pendingPostFlushCbs.splice(0))]
+    cbs.sort((a, b) => getId(a) - getId(b))
+    for (const cb of cbs) {
+        if (checkRecursiveUpdates(seen, cb)) return false
+        callWithErrorHandling(cb, cb, ErrorPhase.JOB)
+    }
+    return true
+}
+
+// 依次刷新前置任务、主任务、后置任务
+// seen 记录本轮刷新中每个任务执行的次数，继续刷新时传递下去
+function flushJobs (seen = new Map()) {
+    isFlushPending = false
+    isFlushing = true
+
+    // 检测到递归更新时中止本轮刷新：清空所有队列，不再执行剩下的任务
+    if (!flushPreFlushCbs(seen)) resetQueues()
+
+    // 按 id 从小到大排序，父副作用函数先于子副作用函数创建，id 更小，所以先执行。
+    // 父副作用函数重新执行时可能会停止或重新创建子副作用函数，子副作用函数就不需要再执行一遍旧的了
+    queue.sort((a, b) => getId(a) - getId(b))
+
+    try {
+        for (flushIndex = 0; flushIndex < queue.length; flushIndex++) {
+            const job = queue[flushIndex]
+            if (checkRecursiveUpdates(seen, job)) {
+                resetQueues()
+                break
+            }
+            // 一个任务出错不影响队列中其他任务的执行
+            callWithErrorHandling(job, job, ErrorPhase.JOB)
+        }
+    } finally {
+        flushIndex = -1
+        queue.length = 0
+
+        if (!flushPostFlushCbs(seen)) resetQueues()
+
+        isFlushing = false
+        currentFlushPromise = null
+
+        // 执行任务的过程中又放入了新的前置、后置任务，继续刷新
+        if (queue.length || pendingPreFlushCbs.length || pendingPostFlushCbs.length) {
+            flushJobs(seen)
+        } else {
+            // 本轮刷新彻底结束，清空记录
+            triggerKeysMap.clear()
+        }
+    }
+}
+// ---------------------------------------------------------------
+
+// 递归地读取一个值的所有属性，从而与其中每一个属性都建立响应联系
+function traverse (value, seen = new Set()) {
+    // 如果要读取的数据是原始值，或者已经被读取过了，那么什么都不做
+    if (typeof value !== 'object' || value === null || seen.has(value)) return value
+    // 将数据添加到 seen 中，代表遍历地读取过了，避免循环引用引起的死循环
+    seen.add(value)
+
+    if (isRef(value)) {
+        // ref 读取它的 value
+        traverse(value.value, seen)
+    } else if (isArray(value)) {
+        // 数组逐个读取索引
+        for (let i = 0; i < value.length; i++) {
+            traverse(value[i], seen)
+        }
+    } else if (isCollection(value) && typeof value.forEach === 'function') {
+        // Map、Set 通过 forEach 读取所有的值，WeakMap、WeakSet 不可遍历
+        value.forEach(v => {
+            traverse(v, seen)
+        })
+    } else {
+        // 假设 value 就是一个对象，使用 for...in 读取对象的每一个值，并递归地调用 traverse 进行处理
+        for (const k in value) {
+            traverse(value[k], seen)
+        }
+    }
+
+    return value
+}
+
+// watch 函数接收三个参数，source 是响应式数据，cb 是回调函数，options 是选项
+// source 可以是 getter 函数、ref、响应式对象
+// options.immediate 为 true 时回调函数会在创建时立即执行一次
+// options.deep 为 true 时深层读取 getter 或 ref 返回的值
+// options.flush 为回调的执行时机：'sync'（默认）在 trigger 中同步执行，
+// 'pre'、'post' 放到微任务中执行，分别在主任务队列 queue 中的任务之前、之后
+// 返回一个函数，调用它可以停止监听
+function watch (source, cb, options = {}) {
+    // 定义 getter
+    let getter
+    // 监听响应式对象时默认就是深度监听
+    let deep = options.deep
+
+    if (typeof source === 'function') {
+        // 如果 source 是函数，说明用户传递的是 getter，所以直接把 source 赋值给 getter
+        getter = source
+    } else if (isRef(source)) {
+        // ref 读取它的 value
+        getter = () => source.value
+    } else if (source && source[RAW]) {
+        // 响应式对象，递归地读取它的所有属性
+        getter = () => source
+        deep = true
+    } else {
+        console.warn('watch 的 source 只能是 getter 函数、ref 或响应式对象', source)
+        getter = () => {}
+    }
+
+    if (deep) {
+        const baseGetter = getter
+        getter = () => traverse(baseGetter())
+    }
+
+    // 定义旧值与新值
+    let oldValue, newValue
+
+    // cleanupFn 用来存储用户注册的过期回调
+    let cleanupFn
+
+    // 定义 onInvalidate 函数
+    function onInvalidate (fn) {
+        // 将过期回调存储到 cleanupFn 中
+        cleanupFn = fn
+    }
+
+    // 执行并清除过期回调
+    function runCleanup () {
+        if (cleanupFn) {
+            const fn = cleanupFn
+            cleanupFn = undefined
+            fn()
+        }
+    }
+
+    // 提取 scheduler 调度函数为一个独立的 job 函数
+    const job = () => {
+        // 已经停止的 watch 即使已经放进了任务队列，也不再执行回调
+        if (!effectFn.active) return
+
+        // 在 scheduler 中重新执行副作用函数，得到的是新值
+        newValue = effectFn()
+        // 值没有变化并且不是深度监听时，不执行回调
+        // 深度监听时新旧值往往是同一个对象，只要触发了就执行回调
+        if (deep || hasChanged(newValue, oldValue)) {
+            // 在调用回调函数 cb 之前，先调用过期回调
+            runCleanup()
+            // 将旧值和新值作为回调函数的参数，onInvalidate 作为回调函数的第三个参数，以便用户使用
+            // Vue 中这个参数叫 onCleanup，两者是同一个函数
+            cb(newValue, oldValue, onInvalidate)
+            // 更新旧值，不然下一次会得到错误的旧值
+            oldValue = newValue
+        }
+    }
+
+    const flush = options.flush || 'sync'
+
+    // 使用 effect 注册副作用函数时，开启 lazy 选项，并把返回值存储到 effectFn 中以便后续手动调用
+    const effectFn = effect(
+        // 执行 getter
+        () => getter(),
+        {
+            lazy: true,
+            // 副作用函数停止时（手动停止或所在的作用域停止），执行最后一次过期回调
+            onStop: runCleanup,
+            scheduler: () => {
+                if (flush === 'pre') {
+                    // 放到主任务队列之前执行
+                    queuePreFlushCb(job)
+                } else if (flush === 'post') {
+                    // 放到主任务队列之后执行
+                    queuePostFlushCb(job)
+                } else {
+                    // sync 直接执行
+                    job()
+                }
+            }
+        }
+    )
+
+    // job 的 id 与副作用函数相同，按创建顺序排序
+    job.id = effectFn.id
+    // job 对应的副作用函数，递归更新的诊断信息中需要通过它找到副作用函数
+    job.effect = effectFn
+
+    if (options.immediate) {
+        // 当 immediate 为 true 时立即执行 job，从而触发回调执行，此时 oldValue 为 undefined
+        job()
+    } else {
+        // 手动调用副作用函数，拿到的值就是旧值
+        oldValue = effectFn()
+    }
+
+    // 停止监听：停止副作用函数，onStop 中会执行最后一次过期回调
+    return () => {
+        effectFn.stop()
+    }
+}
+
+
+
+const user = reactive({ firstName: 'Chunyang', lastName: 'Huo' })
+
+// 可写的计算属性
+const fullName = computed({
+    get () {
+        return `${user.firstName} ${user.lastName}`
+    },
+    set (newVal) {
+        // 把全名拆分回名和姓
+        const [firstName, lastName] = newVal.split(' ')
+        user.firstName = firstName
+        user.lastName = lastName
+    }
+})
+
+effect(() => {
+    console.log('fullName', fullName.value)
+})
+
+fullName.value = 'Evan You' // 调用 setter，修改 firstName、lastName，计算属性重新计算
+console.log(user.firstName, user.lastName) // Evan You
+
+// 只读的计算属性
+const sumRes = computed(() => user.firstName.length + user.lastName.length)
+sumRes.value = 5 // 警告：计算属性是只读的
+console.log(sumRes.value) // 7
+
+/**
+ * 4.8.1 中 computed 返回的 obj 只定义了 value 的 getter，
+ * 对 sumRes.value 赋值时，非严格模式下什么都不会发生，也没有任何提示，很难排查。
+ *
+ * 修改：
+ * 1. computed 的参数可以是 getter 函数，也可以是 { get, set } 对象
+ * 2. obj 上增加 value 的 setter：
+ * -- 有 set 时调用 set(newVal)，由用户在 set 中修改计算属性依赖的数据
+ * -- 没有 set 时打印警告
+ *
+ * 可写的计算属性并不是直接修改了缓存的 value：
+ * 执行 fullName.value = 'Evan You' 流程：
+ * -- 进入 obj 的 value setter，调用 setter('Evan You')
+ * ---- user.firstName = 'Evan'，trigger，计算属性的 scheduler 执行，dirty = true，trigger(obj, 'value')
+ * ------ 读取 fullName.value 的副作用函数执行，dirty 为 true 重新计算，打印 fullName Evan Huo
+ * ---- user.lastName = 'You'，同上，打印 fullName Evan You
+ */
@@ -0,0 +1,284 @@
+// 使用 WeakMap 代替 Set 作为桶的数据结构
+// WeakMap 与 Map 的区别有2点：
+// 1.WeakMap 只接受对象作为键名（null除外）
+// 2.WeakMap 的键名所指向的对象，不计入垃圾回收机制
+// https://es6.ruanyifeng.com/#docs/set-map#WeakMap
+
+// 存储副作用函数的桶
+const bucket = new WeakMap()
+
+// 用一个全局变量存储被注册的副作用函数
+let activeEffect;
+// effect 栈
+const effectStack = []
+
+const effect = (fn, options = {}) => {
+    const effectFn = () => {
+        // 调用 cleanup 函数完成清除工作
+        cleanup(effectFn)
+
+        // 当调用 effect 注册副作用函数时，将副作用函数赋值给 activeEffect
+        activeEffect = effectFn
+
+        // 在调用副作用函数之前将当前副作用函数压入栈中
+        effectStack.push(effectFn)
+
+        // 将 fn 的执行结果存储到 res 中
+        const res = fn()
+
+        // 在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并把 activeEffect 还原为之前的值
+        effectStack.pop()
+        activeEffect = effectStack[effectStack.length - 1]
+
+        // 将 res 作为 effectFn 的执行结果返回值
+        return res
+    }
+
+    // 将 options 挂在到 effectFn 上
+    effectFn.options = options
+
+    // activeEffect.deps 用来存储所有与该副作用函数相关联的依赖集合
+    effectFn.deps = []
+
+    // 只有非 lazy 的时候，才执行
+    if (!options.lazy) {
+        // 执行副作用函数
+        effectFn()
+    }
+
+    // 将副作用函数作为返回值返回
+    return effectFn
+}
+
+function cleanup (effectFn) {
+    // 遍历 effectFn.deps 数组
+    for (let i = 0; i < effectFn.deps.length; i++) {
+        // deps 是依赖集合
+        const deps = effectFn.deps[i]
+        // 将 effectFn 从依赖集合中移除
+        deps.delete(effectFn)
+    }
+
+    // 最后需要重置 effectFn.deps 数组
+    effectFn.deps.length = 0
+}
+
+// 计算属性
+function computed (getter) {
+    // value 用来缓存上一次计算的值
+    let value
+
+    // dirty 标志，用来标识是否需要重新计算值，为 true 则意味着脏，需要计算
+    let dirty = true
+
+    // 把 getter 作为副作用函数，创建一个 lazy 的 effect
+    const effectFn = effect(getter, {
+        lazy: true,
+        scheduler () {
+            if (!dirty) {
+                dirty = true
+                // 当计算属性依赖的响应式数据变化时，手动调用 trigger 函数触发响应
+                trigger(obj, 'value')
+            }
+        }
+    })
+
+    const obj = {
+        // 当读取 value 时才执行 effectFn
+        get value () {
+            if (dirty) {
+                value = effectFn()
+                dirty = false
+            }
+
+            // 当读取 value 时，手动调用 track 函数进行追踪
+            track(obj, 'value')
+
+            return value
+        }
+    }
+
+    return obj
+}
+
+// 通过代理对象读取这个 key 时会返回原始对象，普通对象上读取它则是 undefined，
+// 借此可以区分传入的是代理对象还是原始对象
+const RAW = '__v_raw'
+
+// 存储原始对象到代理对象的映射，同一个原始对象只会创建一次代理对象
+const reactiveMap = new WeakMap()
+
+// 所有响应式对象共用的拦截函数，不再为每一份原始数据各写一遍
+const mutableHandlers = {
+    // 拦截读取操作
+    get (target, key) {
+        // 代理对象可以通过 RAW 属性访问原始数据
+        if (key === RAW) return target
+
+        // 将副作用函数 activeEffect 添加到存储副作用函数的桶中
+        track(target, key)
+
+        // 得到原始值结果
+        const res = target[key] // 新增
+
+        // 如果原始值结果是对象，则调用 reactive 将其包装成响应式数据后返回
+        // 只有真正读取到嵌套对象时才去代理它，而不是一开始就递归代理整棵对象树
+        if (typeof res === 'object' && res !== null) { // 新增
+            return reactive(res) // 新增
+        } // 新增
+
+        // 返回属性值
+        return res // 新增
+    },
+
+    // 拦截设置操作
+    set (target, key, newVal) {
+        // 设置属性值
+        target[key] = newVal
+
+        // 把副作用函数从桶里取出并执行
+        trigger(target, key)
+
+        // 返回 true 代表设置操作成功
+        return true
+    }
+}
+
+// 把任意一个对象变成响应式的
+function reactive (target) {
+    // 只有对象才能被代理，原始值原样返回
+    if (typeof target !== 'object' || target === null) return target
+
+    // 传入的已经是代理对象，直接返回
+    if (target[RAW]) return target
+
+    // 优先通过原始对象寻找之前创建的代理对象，找到了直接返回
+    const existionProxy = reactiveMap.get(target)
+    if (existionProxy) return existionProxy
+
+    // 否则创建新的代理对象，并存储到 reactiveMap 中
+    const proxy = new Proxy(target, mutableHandlers)
+    reactiveMap.set(target, proxy)
+
+    return proxy
+}
+
+// 在 get 拦截函数内调用 track 函数追踪变化
+function track (target, key) {
+    // 没有 activeEffect ，直接 return
+    if (!activeEffect) return
+
+    let depsMap = bucket.get(target)
+
+    if (!depsMap) {
+        bucket.set(target, (depsMap = new Map()))
+    }
+
+    let deps = depsMap.get(key)
+    if (!deps) {
+        depsMap.set(key, (deps = new Set()))
+    }
+
+    // 把当前激活的副作用函数添加到依赖集合 deps 中
+    deps.add(activeEffect)
+
+    // deps 就是一个与当前副作用函数存在联系的依赖集合
+    // 将其添加到 activeEffect.deps 数组中
+    activeEffect.deps.push(deps)
+}
+
+// 在 set 拦截函数内调用 trigger 函数触发变化
+function trigger (target, key) {
+    const depsMap = bucket.get(target)
+    if (!depsMap) return
+
+    const effects = depsMap.get(key)
+
+    const effectsToRun = new Set()
+    effects && effects.forEach(effectFn => {
+        // 如果 trigger 触发执行的副作用函数于当前正在执行的副作用函数相同，则不触发执行
+        if (effectFn !== activeEffect) {
+            effectsToRun.add(effectFn)
+        }
+    })
+    effectsToRun.forEach(effectFn => {
+        // 如果一个副作用函数存在调度器，则调用该调度器，并将副作用函数作为参数传递
+        if (effectFn?.options?.scheduler) {
+            effectFn.options.scheduler(effectFn)
+        } else {
+            effectFn()
+        }
+    })
+}
+
+// 定义一个任务队列
+const jobQueue = new Set()
+// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
+const p = Promise.resolve()
+
+// 一个标志代表是否正在刷新队列
+let isFlushing = false
+function flushJob () {
+    // 如果队列正在刷新，则什么都不做
+    if (isFlushing) return
+    // 设置为 true，代表正在刷新
+    isFlushing = true
+
+    // 在微任务队列中刷新 jobQueue 队列
+    p.then(() => {
+        jobQueue.forEach(job => job())
+    }).finally(() => {
+        // 结束后重置 isFlushing
+        isFlushing = false
+    })
+}
+
+
+
+// 原始数据
+const data = {
+    foo: 1,
+    user: {
+        name: 'vue',
+        config: { theme: 'light' }
+    }
+}
+
+const obj = reactive(data)
+
+effect(() => {
+    console.log(obj.user.name, obj.user.config.theme)
+})
+
+obj.user.name = 'vue3' // 嵌套对象的属性修改也能触发响应
+obj.user.config.theme = 'dark' // 多层嵌套同样可以
+
+console.log(obj.user === obj.user) // true，多次读取得到的是同一个代理对象
+
+/**
+ * 问题：
+ * 之前 get 拦截函数直接 return target[key]，
+ * 当 target[key] 是对象时，返回的是普通对象而不是代理对象，
+ * 那么 obj.user.name = 'vue3' 只有读取 obj.user 这一步经过了代理，
+ * 修改 name 时是在普通对象上赋值，不会进入 set，也就不会 trigger。
+ *
+ * 解决：
+ * 在 get 中判断读取到的值是否为对象，是的话调用 reactive 包装后再返回。
+ *
+ * 为什么不在 reactive 里一开始就递归代理所有嵌套对象：
+ * 1. 对象树可能很大，很多嵌套对象从来不会被读取，提前代理是浪费
+ * 2. 读取时才代理（懒代理），配合 reactiveMap 缓存，同一个嵌套对象只会代理一次，
+ *    所以 obj.user === obj.user 依然成立
+ *
+ * 执行 effect(() => { console.log(obj.user.name, ...) }) 流程：
+ * -- 读取 obj.user，进入代理的 get
+ * ---- track(data, 'user')
+ * ---- res 为 data.user 是对象，执行 reactive(data.user) 得到 user 的代理对象（并缓存）
+ * -- 读取 user代理.name，进入代理的 get
+ * ---- track(data.user, 'name')，副作用函数被收集到 data.user 的依赖集合中
+ *
+ * 执行 obj.user.name = 'vue3' 流程：
+ * -- 读取 obj.user，返回 reactiveMap 中缓存的 user 代理对象
+ * -- user代理.name = 'vue3'，进入代理的 set
+ * ---- trigger(data.user, 'name')，重新执行副作用函数
+ */
@@ -0,0 +1,367 @@
+// 使用 WeakMap 代替 Set 作为桶的数据结构
+// WeakMap 与 Map 的区别有2点：
+// 1.WeakMap 只接受对象作为键名（null除外）
+// 2.WeakMap 的键名所指向的对象，不计入垃圾回收机制
+// https://es6.ruanyifeng.com/#docs/set-map#WeakMap
+
+// 存储副作用函数的桶
+const bucket = new WeakMap()
+
+// 用一个全局变量存储被注册的副作用函数
+let activeEffect;
+// effect 栈
+const effectStack = []
+
+const effect = (fn, options = {}) => {
+    const effectFn = () => {
+        // 调用 cleanup 函数完成清除工作
+        cleanup(effectFn)
+
+        // 当调用 effect 注册副作用函数时，将副作用函数赋值给 activeEffect
+        activeEffect = effectFn
+
+        // 在调用副作用函数之前将当前副作用函数压入栈中
+        effectStack.push(effectFn)
+
+        // 将 fn 的执行结果存储到 res 中
+        const res = fn()
+
+        // 在当前副作用函数执行完毕后，将当前副作用函数弹出栈，并把 activeEffect 还原为之前的值
+        effectStack.pop()
+        activeEffect = effectStack[effectStack.length - 1]
+
+        // 将 res 作为 effectFn 的执行结果返回值
+        return res
+    }
+
+    // 将 options 挂在到 effectFn 上
+    effectFn.options = options
+
+    // activeEffect.deps 用来存储所有与该副作用函数相关联的依赖集合
+    effectFn.deps = []
+
+    // 只有非 lazy 的时候，才执行
+    if (!options.lazy) {
+        // 执行副作用函数
+        effectFn()
+    }
+
+    // 将副作用函数作为返回值返回
+    return effectFn
+}
+
+function cleanup (effectFn) {
+    // 遍历 effectFn.deps 数组
+    for (let i = 0; i < effectFn.deps.length; i++) {
+        // deps 是依赖集合
+        const deps = effectFn.deps[i]
+        // 将 effectFn 从依赖集合中移除
+        deps.delete(effectFn)
+    }
+
+    // 最后需要重置 effectFn.deps 数组
+    effectFn.deps.length = 0
+}
+
+// 计算属性
+function computed (getter) {
+    // value 用来缓存上一次计算的值
+    let value
+
+    // dirty 标志，用来标识是否需要重新计算值，为 true 则意味着脏，需要计算
+    let dirty = true
+
+    // 把 getter 作为副作用函数，创建一个 lazy 的 effect
+    const effectFn = effect(getter, {
+        lazy: true,
+        scheduler () {
+            if (!dirty) {
+                dirty = true
+                // 当计算属性依赖的响应式数据变化时，手动调用 trigger 函数触发响应
+                trigger(obj, 'value')
+            }
+        }
+    })
+
+    const obj = {
+        // 当读取 value 时才执行 effectFn
+        get value () {
+            if (dirty) {
+                value = effectFn()
+                dirty = false
+            }
+
+            // 当读取 value 时，手动调用 track 函数进行追踪
+            track(obj, 'value')
+
+            return value
+        }
+    }
+
+    return obj
+}
+
+// 通过代理对象读取这个 key 时会返回原始对象，普通对象上读取它则是 undefined，
+// 借此可以区分传入的是代理对象还是原始对象
+const RAW = '__v_raw'
+// 通过代理对象读取这个 key 时返回该代理对象是否只读
+const IS_READONLY = '__v_isReadonly' // 新增
+
+// 存储原始对象到代理对象的映射，同一个原始对象只会创建一次代理对象
+// 四种代理各用一个 WeakMap，同一个原始对象可以同时拥有响应式代理和只读代理
+const reactiveMap = new WeakMap()
+const shallowReactiveMap = new WeakMap() // 新增
+const readonlyMap = new WeakMap() // 新增
+const shallowReadonlyMap = new WeakMap() // 新增
+
+// 创建拦截函数
+// isShallow 代表是否为浅响应，默认为 false，即深响应
+// isReadonly 代表是否只读，默认为 false，即非只读
+function createHandlers (isShallow = false, isReadonly = false) { // 新增
+    return {
+        // 拦截读取操作
+        get (target, key) {
+            // 代理对象可以通过 RAW 属性访问原始数据
+            if (key === RAW) return target
+            if (key === IS_READONLY) return isReadonly // 新增
+
+            // 只读的数据不可能发生变化，也就没有必要建立响应联系
+            if (!isReadonly) { // 新增
+                // 将副作用函数 activeEffect 添加到存储副作用函数的桶中
+                track(target, key)
+            }
+
+            // 得到原始值结果
+            const res = target[key]
+
+            // 如果是浅响应，则直接返回原始值
+            if (isShallow) return res // 新增
+
+            // 如果原始值结果是对象，则将其包装成响应式数据后返回
+            // 只有真正读取到嵌套对象时才去代理它，而不是一开始就递归代理整棵对象树
+            if (typeof res === 'object' && res !== null) {
+                // 如果数据为只读，则调用 readonly 对值进行包装，深只读
+                return isReadonly ? readonly(res) : reactive(res) // 新增
+            }
+
+            // 返回属性值
+            return res
+        },
+
+        // 拦截设置操作
+        set (target, key, newVal) {
+            // 如果是只读的，则打印警告信息并返回
+            if (isReadonly) { // 新增
+                console.warn(`属性 ${String(key)} 是只读的，设置操作被拒绝`) // 新增
+                // 返回 true，否则严格模式下会抛出 TypeError
+                return true // 新增
+            }
+
+            // 设置属性值
+            target[key] = newVal
+
+            // 把副作用函数从桶里取出并执行
+            trigger(target, key)
+
+            // 返回 true 代表设置操作成功
+            return true
+        },
+
+        // 拦截删除操作，只读的数据同样不能删除属性
+        deleteProperty (target, key) { // 新增
+            if (isReadonly) {
+                console.warn(`属性 ${String(key)} 是只读的，删除操作被拒绝`)
+                return true
+            }
+
+            return delete target[key]
+        }
+    }
+}
+
+// 所有响应式对象共用的拦截函数，不再为每一份原始数据各写一遍
+const mutableHandlers = createHandlers() // 新增
+const shallowReactiveHandlers = createHandlers(true) // 新增
+const readonlyHandlers = createHandlers(false, true) // 新增
+const shallowReadonlyHandlers = createHandlers(true, true) // 新增
+
+// 创建代理对象，四种代理的区别只在于拦截函数和缓存的 WeakMap 不同
+function createReactiveObject (target, handlers, proxyMap, isReadonly = false) { // 新增
+    // 只有对象才能被代理，原始值原样返回
+    if (typeof target !== 'object' || target === null) return target
+
+    // 传入的已经是代理对象，直接返回
+    // 例外：对一个响应式代理调用 readonly，需要在它外面再包一层只读代理
+    if (target[RAW] && !(isReadonly && !target[IS_READONLY])) return target // 新增
+
+    // 优先通过原始对象寻找之前创建的代理对象，找到了直接返回
+    const existionProxy = proxyMap.get(target)
+    if (existionProxy) return existionProxy
+
+    // 否则创建新的代理对象，并存储到 proxyMap 中
+    const proxy = new Proxy(target, handlers)
+    proxyMap.set(target, proxy)
+
+    return proxy
+}
+
+// 把任意一个对象变成响应式的
+function reactive (target) {
+    return createReactiveObject(target, mutableHandlers, reactiveMap) // 新增
+}
+
+// 浅响应，只有对象的第一层属性是响应的
+function shallowReactive (target) { // 新增
+    return createReactiveObject(target, shallowReactiveHandlers, shallowReactiveMap)
+}
+
+// 只读，深层的属性同样只读
+function readonly (target) { // 新增
+    return createReactiveObject(target, readonlyHandlers, readonlyMap, true)
+}
+
+// 浅只读，只有第一层属性只读
+function shallowReadonly (target) { // 新增
+    return createReactiveObject(target, shallowReadonlyHandlers, shallowReadonlyMap, true)
+}
+
+// 在 get 拦截函数内调用 track 函数追踪变化
+function track (target, key) {
+    // 没有 activeEffect ，直接 return
+    if (!activeEffect) return
+
+    let depsMap = bucket.get(target)
+
+    if (!depsMap) {
+        bucket.set(target, (depsMap = new Map()))
+    }
+
+    let deps = depsMap.get(key)
+    if (!deps) {
+        depsMap.set(key, (deps = new Set()))
+    }
+
+    // 把当前激活的副作用函数添加到依赖集合 deps 中
+    deps.add(activeEffect)
+
+    // deps 就是一个与当前副作用函数存在联系的依赖集合
+    // 将其添加到 activeEffect.deps 数组中
+    activeEffect.deps.push(deps)
+}
+
+// 在 set 拦截函数内调用 trigger 函数触发变化
+function trigger (target, key) {
+    const depsMap = bucket.get(target)
+    if (!depsMap) return
+
+    const effects = depsMap.get(key)
+
+    const effectsToRun = new Set()
+    effects && effects.forEach(effectFn => {
+        // 如果 trigger 触发执行的副作用函数于当前正在执行的副作用函数相同，则不触发执行
+        if (effectFn !== activeEffect) {
+            effectsToRun.add(effectFn)
+        }
+    })
+    effectsToRun.forEach(effectFn => {
+        // 如果一个副作用函数存在调度器，则调用该调度器，并将副作用函数作为参数传递
+        if (effectFn?.options?.scheduler) {
+            effectFn.options.scheduler(effectFn)
+        } else {
+            effectFn()
+        }
+    })
+}
+
+// 定义一个任务队列
+const jobQueue = new Set()
+// 使用 Promise.resolve() 创建一个 promise 实例，我们用它将一个任务添加到微任务队列
+const p = Promise.resolve()
+
+// 一个标志代表是否正在刷新队列
+let isFlushing = false
+function flushJob () {
+    // 如果队列正在刷新，则什么都不做
+    if (isFlushing) return
+    // 设置为 true，代表正在刷新
+    isFlushing = true
+
+    // 在微任务队列中刷新 jobQueue 队列
+    p.then(() => {
+        jobQueue.forEach(job => job())
+    }).finally(() => {
+        // 结束后重置 isFlushing
+        isFlushing = false
+    })
+}
+
+
+
+// 原始数据
+const data = {
+    foo: 1,
+    user: { name: 'vue' }
+}
+
+// 浅响应：只有第一层属性是响应的
+const shallowObj = shallowReactive(data)
+effect(() => {
+    console.log('shallow', shallowObj.foo, shallowObj.user.name)
+})
+shallowObj.foo = 2 // 触发响应
+shallowObj.user.name = 'vue3' // 不触发响应，shallowObj.user 是普通对象
+
+// 只读：共享的配置对象，不允许任何副作用函数修改
+const config = readonly({ theme: 'light', nested: { size: 12 } })
+effect(() => {
+    console.log('readonly', config.theme, config.nested.size)
+})
+config.theme = 'dark' // 警告：属性 theme 是只读的，设置操作被拒绝
+config.nested.size = 14 // 深只读，同样警告
+delete config.theme // 警告：属性 theme 是只读的，删除操作被拒绝
+
+// 浅只读：只有第一层只读
+const shallowConfig = shallowReadonly({ nested: { size: 12 } })
+shallowConfig.nested.size = 14 // 不警告，直接修改原始对象
+console.log(shallowConfig.nested.size) // 14
+
+// 同一个原始对象可以同时拥有响应式代理和只读代理
+const state = reactive({ count: 0 })
+const readonlyState = readonly(state)
+effect(() => {
+    console.log('readonlyState', readonlyState.count)
+})
+state.count++ // 只读代理包裹的是响应式代理，读取时由内层代理 track，所以依然能触发响应
+readonlyState.count++ // 警告
+
+/**
+ * 浅响应与只读都是在 reactive 的基础上扩展，
+ * 因此把 mutableHandlers 改为由 createHandlers(isShallow, isReadonly) 创建，
+ * 共有四种组合：
+ * | 函数            | isShallow | isReadonly |
+ * | reactive        | false     | false      |
+ * | shallowReactive | true      | false      |
+ * | readonly        | false     | true       |
+ * | shallowReadonly | true      | true       |
+ *
+ * 只读的关键修改：
+ * 1. set、deleteProperty 拦截函数中判断 isReadonly，是则打印警告并拒绝操作
+ * 2. get 中只读数据不调用 track，因为只读数据永远不会变，没必要建立响应联系
+ * 3. 深只读：读取到的值是对象时用 readonly 而不是 reactive 包装
+ *
+ * 浅响应的关键修改：
+ * get 中 isShallow 为 true 时直接返回原始值，不再对嵌套对象包装
+ *
+ * 为什么每种代理都要单独一个 WeakMap：
+ * 同一个原始对象 data 可能既被 reactive 又被 readonly，
+ * 如果共用一个 reactiveMap，readonly(data) 会拿到缓存的响应式代理，只读就失效了。
+ *
+ * readonly(state) 执行流程（state 为响应式代理）：
+ * -- state[RAW] 为真，是代理对象
+ * -- 但当前要创建只读代理，且 state[IS_READONLY] 为 false，所以不能直接返回
+ * -- 以 state 为 target 创建只读代理
+ * 读取 readonlyState.count 时：
+ * -- 只读代理的 get 不 track，执行 target[key] 即 state.count
+ * -- 进入 state 的 get，track(原始对象, 'count')
+ * 所以修改 state.count 时依然能触发读取 readonlyState.count 的副作用函数
+ */